@@ -1,5 +1,104 @@
 import { createElement } from '@lwc/engine-dom';
 import AvailableProducts from 'c/availableProducts';
+import { publish, subscribe } from 'lightning/messageService';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import getProductPage from '@salesforce/apex/AvailableProductsController.getProductPage';
+import addProductsToOrder from '@salesforce/apex/AvailableProductsController.addProductsToOrder';
+import getProductDetails from '@salesforce/apex/AvailableProductsController.getProductDetails';
+import previewImport from '@salesforce/apex/AvailableProductsController.previewImport';
+import isOrderActivated from '@salesforce/apex/OrderProductsController.isOrderActivated';
+
+jest.mock(
+    '@salesforce/apex/AvailableProductsController.getProductPage',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/AvailableProductsController.addProductsToOrder',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/AvailableProductsController.getProductDetails',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/AvailableProductsController.previewImport',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.isOrderActivated',
+    () => {
+        return { default: jest.fn() };
+    },
+    { virtual: true }
+);
+
+const ORDER_ID = '801000000000001AAA';
+
+const PRODUCTS = [
+    {
+        productId: '01t000000000001AAA',
+        productName: 'KPN Fiber 1 Gbps',
+        productCode: 'FIBER-1G',
+        listPrice: 55,
+        isExternal: false,
+        source: 'Salesforce'
+    },
+    {
+        productId: 'prod-001',
+        productName: 'KPN Unlimited Mobile',
+        productCode: 'MOB-001',
+        category: 'Mobile',
+        listPrice: 27.5,
+        isExternal: true,
+        source: 'KPN Product API'
+    }
+];
+
+const PAGE = {
+    products: PRODUCTS,
+    totalCount: 12,
+    sfCount: 1,
+    apiCount: 11,
+    pageNumber: 1,
+    pageSize: 10,
+    lastRefreshed: '2025-11-20T09:30:00.000Z',
+    externalStale: false,
+    externalStatus: { status: 'ok', httpCode: 200 }
+};
+
+// FileReader that hands back the given text straight away
+function mockFileReader(text) {
+    jest.spyOn(window, 'FileReader').mockImplementation(function FileReaderMock() {
+        this.readAsText = () => {
+            this.result = text;
+            this.onload();
+        };
+    });
+}
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        await Promise.resolve();
+    }
+}
 
 describe('c-available-products', () => {
     afterEach(() => {
@@ -7,6 +106,7 @@ describe('c-available-products', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +122,493 @@ describe('c-available-products', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('adds all selected rows with their quantities in one call', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+        addProductsToOrder.mockResolvedValue({
+            success: true,
+            message: '2 of 2 product(s) added to order',
+            addedCount: 2,
+            lines: [
+                { key: '01t000000000001AAA', success: true, productId: '01t000000000001AAA', orderItemId: '802000000000001AAA' },
+                { key: 'prod-001', success: true, productId: '01t000000000002AAA', orderItemId: '802000000000002AAA' }
+            ]
+        });
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        datatable.dispatchEvent(
+            new CustomEvent('cellchange', {
+                detail: { draftValues: [{ rowKey: 'prod-001', quantity: '3' }] }
+            })
+        );
+        datatable.dispatchEvent(
+            new CustomEvent('rowselection', {
+                detail: { selectedRows: [{ rowKey: '01t000000000001AAA' }, { rowKey: 'prod-001' }] }
+            })
+        );
+        await flushPromises();
+
+        const addButton = element.shadowRoot.querySelector('lightning-button');
+        expect(addButton.label).toBe('Add Selected (2)');
+        addButton.click();
+        await flushPromises();
+
+        expect(addProductsToOrder).toHaveBeenCalledTimes(1);
+        const { lines } = addProductsToOrder.mock.calls[0][0];
+        expect(lines.map(line => [line.productCode, line.quantity])).toEqual([
+            ['FIBER-1G', 1],
+            ['MOB-001', 3]
+        ]);
+        expect(publish.mock.calls[0][2].addedItems).toHaveLength(2);
+    });
+
+    it('asks the server for a sorted first page when a column is sorted', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="next"]').click();
+        await flushPromises();
+        expect(getProductPage.mock.calls[1][0].pageNumber).toBe(2);
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        datatable.dispatchEvent(
+            new CustomEvent('sort', {
+                detail: { fieldName: 'listPrice', sortDirection: 'desc' }
+            })
+        );
+        await flushPromises();
+
+        expect(getProductPage.mock.calls[2][0]).toEqual(
+            expect.objectContaining({
+                orderId: ORDER_ID,
+                sortBy: 'listPrice',
+                sortDirection: 'desc',
+                pageNumber: 1,
+                pageSize: 10
+            })
+        );
+    });
+
+    it('bypasses the cache when Refresh is clicked and shows the last refresh time', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(getProductPage.mock.calls[0][0].forceRefresh).toBe(false);
+        const refreshed = element.shadowRoot.querySelector('lightning-formatted-date-time');
+        expect(refreshed.value).toBe(PAGE.lastRefreshed);
+
+        element.shadowRoot.querySelector('lightning-button-icon').click();
+        await flushPromises();
+
+        expect(getProductPage.mock.calls[1][0]).toEqual(
+            expect.objectContaining({ pageNumber: 1, forceRefresh: true })
+        );
+    });
+
+    it('shows a warning banner but keeps Salesforce rows when the API fails', async () => {
+        getProductPage.mockResolvedValue({
+            ...PAGE,
+            products: [PRODUCTS[0]],
+            totalCount: 1,
+            apiCount: 0,
+            lastRefreshed: null,
+            externalStatus: {
+                status: 'auth_failed',
+                message: 'Authentication with the KPN Product API failed - check the Named Credential',
+                httpCode: 401
+            }
+        });
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const banner = element.shadowRoot.querySelector('[data-id="external-warning"]');
+        expect(banner.textContent).toContain('HTTP 401');
+        expect(element.shadowRoot.querySelector('lightning-datatable').data).toHaveLength(1);
+    });
+
+    it('shows stock badges and disables Add for sold-out external products', async () => {
+        getProductPage.mockResolvedValue({
+            ...PAGE,
+            products: [
+                PRODUCTS[0],
+                { ...PRODUCTS[1], stock: 0 },
+                { ...PRODUCTS[1], productId: 'prod-002', productCode: 'MOB-002', stock: 3 },
+                { ...PRODUCTS[1], productId: 'prod-003', productCode: 'MOB-003', stock: 40 },
+                { ...PRODUCTS[1], productId: 'prod-004', productCode: 'MOB-004', stock: -2 }
+            ]
+        });
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(rows.map(row => row.stockLabel)).toEqual(['', 'Out of stock', 'Low stock (3)', '40', 'Out of stock']);
+        expect(rows.map(row => row.disableAdd)).toEqual([false, true, false, false, true]);
+        expect(rows[1].stockClass).toContain('slds-theme_error');
+    });
+
+    it('opens the detail panel and adds the product with the chosen quantity', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+        getProductDetails.mockResolvedValue({
+            productName: 'KPN Unlimited Mobile',
+            productCode: 'MOB-001',
+            description: 'Unlimited calls and data in the Netherlands',
+            specifications: [
+                { name: 'network', value: '5G' },
+                { name: 'dataLimit', value: 'unlimited' }
+            ],
+            pricebookPrice: 25,
+            apiPrice: 27.5,
+            stock: 40,
+            isExternal: true
+        });
+        addProductsToOrder.mockResolvedValue({
+            success: true,
+            message: '1 of 1 product(s) added to order',
+            addedCount: 1,
+            lines: [{ key: 'prod-001', success: true, productId: '01t000000000002AAA', orderItemId: '802000000000002AAA' }]
+        });
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-datatable').dispatchEvent(
+            new CustomEvent('rowaction', {
+                detail: { action: { name: 'view_details' }, row: { ...PRODUCTS[1], rowKey: 'prod-001' } }
+            })
+        );
+        await flushPromises();
+
+        expect(getProductDetails).toHaveBeenCalledWith({ orderId: ORDER_ID, productId: null, productCode: 'MOB-001' });
+        const panel = element.shadowRoot.querySelector('[data-id="product-details"]');
+        expect(panel).not.toBeNull();
+        expect(panel.querySelector('[data-id="detail-description"]').textContent).toBe(
+            'Unlimited calls and data in the Netherlands'
+        );
+        expect(panel.querySelectorAll('[data-id="detail-specifications"] dt')).toHaveLength(2);
+        expect(panel.querySelectorAll('[data-id="detail-pricing"] lightning-formatted-number')).toHaveLength(2);
+
+        const quantityInput = panel.querySelector('[data-id="detail-quantity"]');
+        quantityInput.dispatchEvent(new CustomEvent('change', { detail: { value: '4' } }));
+        await flushPromises();
+        panel.querySelector('[data-id="detail-add"]').click();
+        await flushPromises();
+
+        const { lines } = addProductsToOrder.mock.calls[0][0];
+        expect(lines).toHaveLength(1);
+        expect(lines[0].productCode).toBe('MOB-001');
+        expect(lines[0].quantity).toBe(4);
+        expect(element.shadowRoot.querySelector('[data-id="product-details"]')).toBeNull();
+    });
+
+    it('opens the option picker for configurable products and sends the chosen options', async () => {
+        const subscription = {
+            ...PRODUCTS[1],
+            hasOptions: true,
+            options: [{ code: 'contractDuration', defaultValue: '24' }]
+        };
+        getProductPage.mockResolvedValue({ ...PAGE, products: [PRODUCTS[0], subscription] });
+        isOrderActivated.mockResolvedValue(false);
+        getProductDetails.mockResolvedValue({
+            productName: 'KPN Unlimited Mobile',
+            productCode: 'MOB-001',
+            specifications: [],
+            options: [
+                {
+                    code: 'contractDuration',
+                    label: 'Contract duration',
+                    required: true,
+                    defaultValue: '24',
+                    values: [
+                        { value: '12', label: '12 months' },
+                        { value: '24', label: '24 months' }
+                    ]
+                },
+                { code: 'dataBundle', label: 'Data bundle', required: true, values: [{ value: '10GB', label: '10 GB' }] }
+            ],
+            apiPrice: 27.5,
+            isExternal: true
+        });
+        addProductsToOrder.mockResolvedValue({
+            success: true,
+            message: '1 of 1 product(s) added to order',
+            addedCount: 1,
+            lines: [{ key: 'prod-001', success: true, productId: '01t000000000002AAA', orderItemId: '802000000000002AAA' }]
+        });
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        expect(datatable.data.map(row => row.addLabel)).toEqual(['Add to Order', 'Configure']);
+        datatable.dispatchEvent(
+            new CustomEvent('rowaction', {
+                detail: { action: { name: 'add_product' }, row: datatable.data[1] }
+            })
+        );
+        await flushPromises();
+
+        expect(addProductsToOrder).not.toHaveBeenCalled();
+        const pickers = element.shadowRoot.querySelectorAll('[data-id="detail-options"] lightning-combobox');
+        expect(pickers).toHaveLength(2);
+        expect(pickers[0].value).toBe('24');
+        const addButton = element.shadowRoot.querySelector('[data-id="detail-add"]');
+        expect(addButton.disabled).toBe(true);
+
+        pickers[1].dispatchEvent(new CustomEvent('change', { detail: { value: '10GB' } }));
+        await flushPromises();
+        expect(addButton.disabled).toBe(false);
+        addButton.click();
+        await flushPromises();
+
+        const { lines } = addProductsToOrder.mock.calls[0][0];
+        expect(lines[0].selectedOptions).toEqual({ contractDuration: '24', dataBundle: '10GB' });
+    });
+
+    it('adds a single external row through the bulk add with its source', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+        addProductsToOrder.mockResolvedValue({
+            success: true,
+            message: '1 of 1 product(s) added to order',
+            addedCount: 1,
+            lines: [{ key: 'prod-001', success: true, productId: '01t000000000002AAA', orderItemId: '802000000000002AAA' }]
+        });
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        datatable.dispatchEvent(
+            new CustomEvent('rowaction', {
+                detail: { action: { name: 'add_product' }, row: datatable.data[1] }
+            })
+        );
+        await flushPromises();
+
+        const { lines } = addProductsToOrder.mock.calls[0][0];
+        expect(lines).toEqual([
+            expect.objectContaining({ productCode: 'MOB-001', source: 'KPN Product API', isExternal: true, quantity: 1 })
+        ]);
+        expect(publish.mock.calls[0][2].orderItemId).toBe('802000000000002AAA');
+        expect(publish.mock.calls[0][2].action).toBe('added');
+        expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([{ recordId: ORDER_ID }]);
+    });
+
+    it('reloads the current page when a line is removed in orderProducts', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="next"]').click();
+        await flushPromises();
+        getProductPage.mockClear();
+
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({ action: 'added', orderId: ORDER_ID });
+        onMessage({ action: 'removed', orderId: '801000000000999AAA' });
+        expect(getProductPage).not.toHaveBeenCalled();
+
+        onMessage({
+            action: 'removed',
+            orderId: ORDER_ID,
+            items: [{ productId: '01t000000000001AAA', orderItemId: '802000000000001AAA' }]
+        });
+        await flushPromises();
+
+        expect(getProductPage).toHaveBeenCalledTimes(1);
+        expect(getProductPage.mock.calls[0][0].pageNumber).toBe(2);
+    });
+
+    it('disables adding when the order is activated in orderProducts', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        subscribe.mock.calls[0][2]({ action: 'activated', orderId: ORDER_ID, items: [] });
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(rows.every(row => row.disableAdd)).toBe(true);
+        expect(element.shadowRoot.querySelector('[data-id="import-open"]').disabled).toBe(true);
+    });
+
+    it('enables adding again when the order is reverted to draft in orderProducts', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const draftState = element.shadowRoot.querySelector('lightning-datatable').data.map(row => row.disableAdd);
+        const onMessage = subscribe.mock.calls[0][2];
+        onMessage({ action: 'activated', orderId: ORDER_ID, items: [] });
+        await flushPromises();
+        onMessage({ action: 'reverted', orderId: ORDER_ID, items: [] });
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelector('lightning-datatable').data;
+        expect(rows.map(row => row.disableAdd)).toEqual(draftState);
+        expect(rows.some(row => !row.disableAdd)).toBe(true);
+        expect(element.shadowRoot.querySelector('[data-id="import-open"]').disabled).toBe(false);
+    });
+
+    it('parses an imported CSV and previews every row', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+        previewImport.mockResolvedValue({
+            currencyCode: 'EUR',
+            readyCount: 1,
+            message: '1 of 3 line(s) ready to import',
+            rows: [
+                { rowNumber: 2, productCode: 'FIBER-1G', quantity: 5, status: 'Ready', line: { productId: '01t000000000001AAA', quantity: 5 } },
+                { rowNumber: 3, productCode: 'NOPE-1', quantity: 1, status: 'Unknown', message: 'NOPE-1 is not in the order pricebook or the KPN Product API' },
+                { rowNumber: 5, productCode: 'MOB "X"', quantity: null, status: 'Invalid', message: 'Quantity must be greater than 0' }
+            ]
+        });
+        mockFileReader('\uFEFFProduct Code;Quantity\r\nFIBER-1G;2\r\nNOPE-1;1\r\nFIBER-1G;3\r\n"MOB ""X""";abc\r\n\r\n');
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="import-open"]').click();
+        await flushPromises();
+        const fileInput = element.shadowRoot.querySelector('[data-id="import-file"]');
+        fileInput.files = [new File(['ignored'], 'lines.csv', { type: 'text/csv' })];
+        fileInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(previewImport).toHaveBeenCalledWith({
+            orderId: ORDER_ID,
+            rows: [
+                { rowNumber: 2, productCode: 'FIBER-1G', quantity: 5 },
+                { rowNumber: 3, productCode: 'NOPE-1', quantity: 1 },
+                { rowNumber: 5, productCode: 'MOB "X"', quantity: null }
+            ]
+        });
+        const dialog = element.shadowRoot.querySelector('[data-id="import-dialog"]');
+        expect(dialog.querySelector('[data-id="import-summary"]').textContent).toBe('1 of 3 line(s) ready to import');
+        const preview = dialog.querySelector('[data-id="import-preview"]');
+        expect(preview.data).toHaveLength(3);
+        expect(preview.selectedRows).toEqual([2]);
+        expect(dialog.querySelector('[data-id="import-confirm"]').label).toBe('Add 1 line(s)');
+    });
+
+    it('adds only the confirmed ready rows in one bulk call', async () => {
+        getProductPage.mockResolvedValue(PAGE);
+        isOrderActivated.mockResolvedValue(false);
+        const fiberLine = { productId: '01t000000000001AAA', quantity: 2, source: 'Salesforce' };
+        const mobileLine = { productCode: 'MOB-001', quantity: 1, source: 'KPN Product API', isExternal: true };
+        previewImport.mockResolvedValue({
+            currencyCode: 'EUR',
+            readyCount: 2,
+            message: '2 of 3 line(s) ready to import',
+            rows: [
+                { rowNumber: 1, productCode: 'FIBER-1G', quantity: 2, status: 'Ready', line: fiberLine },
+                { rowNumber: 2, productCode: 'MOB-001', quantity: 1, status: 'Ready', line: mobileLine },
+                { rowNumber: 3, productCode: 'SOLD-1', quantity: 1, status: 'Out of stock', message: 'Sold is out of stock' }
+            ]
+        });
+        addProductsToOrder.mockResolvedValue({
+            success: true,
+            message: '1 of 1 product(s) added to order',
+            addedCount: 1,
+            lines: [{ key: 'MOB-001', success: true, productId: '01t000000000002AAA', orderItemId: '802000000000002AAA' }]
+        });
+        mockFileReader('FIBER-1G,2\nMOB-001,1\nSOLD-1,1');
+
+        const element = createElement('c-available-products', {
+            is: AvailableProducts
+        });
+        element.recordId = ORDER_ID;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="import-open"]').click();
+        await flushPromises();
+        const fileInput = element.shadowRoot.querySelector('[data-id="import-file"]');
+        fileInput.files = [new File(['ignored'], 'lines.csv', { type: 'text/csv' })];
+        fileInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        // the user unticks the fiber row and tries to tick the out-of-stock row
+        const preview = element.shadowRoot.querySelector('[data-id="import-preview"]');
+        preview.dispatchEvent(
+            new CustomEvent('rowselection', { detail: { selectedRows: [preview.data[1], preview.data[2]] } })
+        );
+        await flushPromises();
+        element.shadowRoot.querySelector('[data-id="import-confirm"]').click();
+        await flushPromises();
+
+        expect(addProductsToOrder).toHaveBeenCalledTimes(1);
+        expect(addProductsToOrder).toHaveBeenCalledWith({ orderId: ORDER_ID, lines: [mobileLine] });
+        expect(publish.mock.calls[0][2].orderItemId).toBe('802000000000002AAA');
+        expect(element.shadowRoot.querySelector('[data-id="import-dialog"]')).toBeNull();
+    });
+});
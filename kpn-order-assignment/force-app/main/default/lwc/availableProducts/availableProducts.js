@@ -1,31 +1,92 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { NavigationMixin } from 'lightning/navigation';
-import { publish, MessageContext } from 'lightning/messageService';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
 
-import getCombinedProducts from '@salesforce/apex/AvailableProductsController.getCombinedProducts';
-import addProductToOrder from '@salesforce/apex/AvailableProductsController.addProductToOrder';
-import addExternalProductToOrder from '@salesforce/apex/AvailableProductsController.addExternalProductToOrder';
+import getProductPage from '@salesforce/apex/AvailableProductsController.getProductPage';
+import addProductsToOrder from '@salesforce/apex/AvailableProductsController.addProductsToOrder';
+import getProductDetails from '@salesforce/apex/AvailableProductsController.getProductDetails';
+import previewImport from '@salesforce/apex/AvailableProductsController.previewImport';
 import isOrderActivated from '@salesforce/apex/OrderProductsController.isOrderActivated';
 
 import PRODUCT_ADDED_CHANNEL from '@salesforce/messageChannel/ProductAddedMessageChannel__c';
 
-export default class AvailableProducts extends NavigationMixin(LightningElement) {
+// external products at or below this stock get a "Low stock" badge
+const LOW_STOCK_THRESHOLD = 5;
+
+// ProductAddedMessageChannel actions; orderProducts publishes the ones other than added
+const ORDER_ACTION_ADDED = 'added';
+const ORDER_ACTION_REMOVED = 'removed';
+const ORDER_ACTION_ACTIVATED = 'activated';
+const ORDER_ACTION_REVERTED = 'reverted';
+
+// status of a previewed import row that can be added (OrderManagementConstants.IMPORT_STATUS_READY)
+const IMPORT_STATUS_READY = 'Ready';
+
+const IMPORT_COLUMNS = [
+    { label: 'Row', fieldName: 'rowNumber', type: 'number', initialWidth: 70 },
+    { label: 'Product Code', fieldName: 'productCode', type: 'text' },
+    { label: 'Product Name', fieldName: 'productName', type: 'text' },
+    { label: 'Qty', fieldName: 'quantity', type: 'number', initialWidth: 80 },
+    {
+        label: 'Unit Price',
+        fieldName: 'unitPrice',
+        type: 'currency',
+        typeAttributes: { currencyCode: { fieldName: 'currencyCode' } },
+        initialWidth: 120
+    },
+    {
+        label: 'Status',
+        fieldName: 'status',
+        type: 'text',
+        cellAttributes: { class: { fieldName: 'statusClass' } },
+        initialWidth: 120
+    },
+    { label: 'Message', fieldName: 'message', type: 'text', wrapText: true }
+];
+
+export default class AvailableProducts extends LightningElement {
     @api recordId;
 
     @track products = [];
-    @track filteredProducts = [];
     searchTerm = '';
+    sortedBy = 'productName';
+    sortedDirection = 'asc';
     isLoading = false;
     @track error;
     includeExternal = true;
     sfCount = 0;
     apiCount = 0;
     totalCount = 0;
+    lastRefreshed;
+    externalStale = false;
+    externalStatus;
     showStats = false;
     @track pageSize = 10;
     @track currentPage = 1;
     isActivated = false;
+    // selection + quantities survive paging, keyed by rowKey
+    selectedKeys = new Set();
+    selectedProducts = {};
+    @track quantities = {};
+    @track selectionCount = 0;
+    @track quantityDrafts = [];
+    // "View details" panel
+    detailRow;
+    @track productDetail;
+    detailQuantity = 1;
+    isLoadingDetail = false;
+    // option picker values by option code
+    @track detailOptions = {};
+    // "Import lines" dialog
+    showImport = false;
+    isImporting = false;
+    importFileName;
+    importError;
+    importSummary;
+    @track importRows = [];
+    importSelectedKeys = [];
+    importColumns = IMPORT_COLUMNS;
 
     columns = [
         {
@@ -51,6 +112,7 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
             label: 'Category',
             fieldName: 'category',
             type: 'text',
+            sortable: true,
             initialWidth: 130
         },
         {
@@ -59,12 +121,43 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
             type: 'currency',
             sortable: true,
             typeAttributes: {
-                currencyCode: 'EUR',
+                currencyCode: { fieldName: 'currencyCode' },
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 2
             },
             initialWidth: 130
         },
+        {
+            // only set on pricebook rows the Product API also lists
+            label: 'API Price',
+            fieldName: 'apiPrice',
+            type: 'currency',
+            typeAttributes: {
+                currencyCode: { fieldName: 'apiCurrencyCode' },
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            },
+            initialWidth: 130
+        },
+        {
+            label: 'Stock',
+            fieldName: 'stockLabel',
+            type: 'text',
+            cellAttributes: {
+                class: { fieldName: 'stockClass' }
+            },
+            initialWidth: 130
+        },
+        {
+            label: 'Qty',
+            fieldName: 'quantity',
+            type: 'number',
+            editable: true,
+            typeAttributes: {
+                minimumFractionDigits: 0
+            },
+            initialWidth: 80
+        },
         {
             label: 'Status',
             fieldName: 'statusLabel',
@@ -74,10 +167,21 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
             },
             initialWidth: 120
         },
+        {
+            type: 'button-icon',
+            typeAttributes: {
+                iconName: 'utility:preview',
+                name: 'view_details',
+                alternativeText: 'View details',
+                title: 'View details',
+                variant: 'bare'
+            },
+            initialWidth: 50
+        },
         {
             type: 'button',
             typeAttributes: {
-                label: 'Add to Order',
+                label: { fieldName: 'addLabel' },
                 name: 'add_product',
                 variant: 'brand',
                 disabled: { fieldName: 'disableAdd' }
@@ -90,10 +194,49 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
     @wire(MessageContext)
     messageContext;
 
+    subscription = null;
 
     connectedCallback() {
         this.loadProducts();
         this.checkActivation();
+        this.subscribeToMessageChannel();
+    }
+
+    disconnectedCallback() {
+        if (this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+
+    subscribeToMessageChannel() {
+        if (this.subscription) {
+            return;
+        }
+        this.subscription = subscribe(
+            this.messageContext,
+            PRODUCT_ADDED_CHANNEL,
+            (message) => this.handleOrderMessage(message)
+        );
+    }
+
+    // lines removed in orderProducts drop the "✓ Added" state (reloaded for the current page,
+    // search and sort), activation disables adding and a revert to Draft enables it again;
+    // our own "added" messages are ignored
+    handleOrderMessage(message) {
+        if (!message || message.orderId !== this.recordId) {
+            return;
+        }
+        if (message.action === ORDER_ACTION_REMOVED) {
+            this.loadProducts();
+        } else if (message.action === ORDER_ACTION_ACTIVATED) {
+            this.isActivated = true;
+            this.products = this.products.map(p => ({ ...p, disableAdd: this.isAddDisabled(p) }));
+            this.showImport = false;
+        } else if (message.action === ORDER_ACTION_REVERTED) {
+            this.isActivated = false;
+            this.products = this.products.map(p => ({ ...p, disableAdd: this.isAddDisabled(p) }));
+        }
     }
 
     async checkActivation() {
@@ -107,11 +250,7 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
             if (this.products && this.products.length) {
                 this.products = this.products.map(p => ({
                     ...p,
-                    disableAdd: this.isActivated // disable if order is activated
-                }));
-                this.filteredProducts = this.filteredProducts.map(p => ({
-                    ...p,
-                    disableAdd: this.isActivated
+                    disableAdd: this.isAddDisabled(p)
                 }));
             }
 
@@ -122,93 +261,118 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
 
 
 
-    async loadProducts() {
+    // loads the current page; search, sort and the external toggle reset to page 1 first.
+    // forceRefresh bypasses the server-side Product API cache
+    async loadProducts(forceRefresh = false) {
         this.isLoading = true;
         this.error = undefined;
-        this.currentPage = 1;
 
         try {
-            const data = await getCombinedProducts({
+            const page = await getProductPage({
                 orderId: this.recordId,
-                includeExternal: this.includeExternal
+                includeExternal: this.includeExternal,
+                searchTerm: this.searchTerm,
+                sortBy: this.sortedBy,
+                sortDirection: this.sortedDirection,
+                pageNumber: this.currentPage,
+                pageSize: this.pageSize,
+                forceRefresh
             });
 
-            this.products = this.transformProductData(data);
-            this.sfCount = this.products.filter(p => !p.isExternal).length;
-            this.apiCount = this.products.filter(p => p.isExternal).length;
-            this.totalCount = this.products.length;
+            this.products = this.transformProductData(page.products);
+            this.sfCount = page.sfCount;
+            this.apiCount = page.apiCount;
+            this.totalCount = page.totalCount;
+            this.lastRefreshed = page.lastRefreshed;
+            this.externalStale = page.externalStale === true;
+            this.externalStatus = page.externalStatus;
             this.showStats = false;
             Promise.resolve().then(() => {
                 this.showStats = true;
             });
-            this.applyFilters();
 
         } catch (error) {
             this.error = this.getErrorMessage(error);
             this.products = [];
-            this.filteredProducts = [];
+            this.totalCount = 0;
             this.showToast('Error loading products', this.error, 'error');
         } finally {
             this.isLoading = false;
         }
     }
 
-    refreshCurrentRecordView() {
-        this[NavigationMixin.Navigate]({
-            type: 'standard__recordPage',
-            attributes: {
-                recordId: this.recordId,
-                objectApiName: 'Order',
-                actionName: 'view'
-            }
-        });
+    reloadFromFirstPage() {
+        this.currentPage = 1;
+        this.loadProducts();
+    }
+
+    // lets the record page (totals, status) reload the order without navigating
+    refreshOrderRecord() {
+        notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
     }
 
 
     transformProductData(data) {
         return data.map(product => ({
             ...product,
+            rowKey: product.productId || product.productCode,
+            quantity: this.quantities[product.productId || product.productCode] || 1,
             sourceIcon: product.isExternal ? 'utility:world' : 'utility:salesforce1',
             sourceBadgeClass: product.isExternal
                 ? 'slds-badge slds-theme_warning'
                 : 'slds-badge slds-theme_success',
-            disableAdd: this.isActivated // 👈 use global order activation
+            ...this.getStockBadge(product.stock),
+            disableAdd: this.isAddDisabled(product),
+            // products with options are added from the detail panel, where the options are picked
+            addLabel: product.hasOptions ? 'Configure' : 'Add to Order'
         }));
     }
 
+    // nothing can be added to an activated order, and sold-out external products cannot be added at all
+    isAddDisabled(product) {
+        const soldOut = product.stock !== undefined && product.stock !== null && product.stock <= 0;
+        return this.isActivated || soldOut;
+    }
+
+    // only the Product API reports stock; Salesforce rows keep an empty cell
+    getStockBadge(stock) {
+        if (stock === undefined || stock === null) {
+            return { stockLabel: '', stockClass: '' };
+        }
+        if (stock <= 0) {
+            return { stockLabel: 'Out of stock', stockClass: 'slds-badge slds-theme_error' };
+        }
+        if (stock <= LOW_STOCK_THRESHOLD) {
+            return { stockLabel: `Low stock (${stock})`, stockClass: 'slds-badge slds-theme_warning' };
+        }
+        return { stockLabel: String(stock), stockClass: '' };
+    }
+
 
 
     handleSearch(event) {
-        this.searchTerm = event.target.value.toLowerCase();
-        this.applyFilters();
+        this.searchTerm = event.target.value;
+    }
+
+    // fires on Enter and when the search box is cleared
+    handleSearchCommit(event) {
+        this.searchTerm = event.target.value;
+        this.reloadFromFirstPage();
     }
 
     handleToggleExternal(event) {
         this.includeExternal = event.target.checked;
-        this.loadProducts();
+        this.reloadFromFirstPage();
     }
 
-    applyFilters() {
-        let filtered = [...this.products];
-
-        // Apply search filter
-        if (this.searchTerm) {
-            filtered = filtered.filter(product => {
-                const nameMatch = product.productName &&
-                    product.productName.toLowerCase().includes(this.searchTerm);
-                const codeMatch = product.productCode &&
-                    product.productCode.toLowerCase().includes(this.searchTerm);
-                const categoryMatch = product.category &&
-                    product.category.toLowerCase().includes(this.searchTerm);
-                const brandMatch = product.brand &&
-                    product.brand.toLowerCase().includes(this.searchTerm);
-                return nameMatch || codeMatch || categoryMatch || brandMatch;
-            });
-        }
-
-        this.filteredProducts = filtered;
-        this.currentPage = 1;
+    handleRefresh() {
+        this.loadProducts(true);
+    }
 
+    handleSort(event) {
+        this.sortedBy = event.detail.fieldName;
+        this.sortedDirection = event.detail.sortDirection;
+        this.reloadFromFirstPage();
     }
 
     handleRowAction(event) {
@@ -216,40 +380,77 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
         const row = event.detail.row;
 
         if (actionName === 'add_product') {
-            if (row.isExternal) {
-                this.handleAddExternalProduct(row);
+            if (row.hasOptions) {
+                this.openProductDetails(row);
             } else {
-                this.handleAddProduct(row.productId);
+                this.handleAddProduct(row);
             }
+        } else if (actionName === 'view_details') {
+            this.openProductDetails(row);
         }
     }
 
-    async handleAddProduct(productId) {
-        if (!productId || !this.recordId) {
-            this.showToast('Error', 'Missing product or order information', 'error');
-            return;
-        }
-
-        this.isLoading = true;
-
+    async openProductDetails(row) {
+        this.detailRow = row;
+        this.detailQuantity = row.quantity || 1;
+        this.productDetail = undefined;
+        this.detailOptions = {};
+        this.isLoadingDetail = true;
         try {
-            const result = await addProductToOrder({
+            this.productDetail = await getProductDetails({
                 orderId: this.recordId,
-                productId: productId
+                productId: row.isExternal ? null : row.productId,
+                productCode: row.productCode
             });
+            this.detailOptions = this.getDefaultOptions(this.productDetail.options);
+        } catch (error) {
+            this.detailRow = undefined;
+            this.showToast('Error loading product details', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isLoadingDetail = false;
+        }
+    }
+
+    handleCloseDetails() {
+        this.detailRow = undefined;
+        this.productDetail = undefined;
+    }
 
-            if (result.success) {
+    handleDetailQuantityChange(event) {
+        this.detailQuantity = parseInt(event.detail.value, 10);
+    }
+
+    handleOptionChange(event) {
+        this.detailOptions = { ...this.detailOptions, [event.target.dataset.code]: event.detail.value };
+    }
+
+    // value by option code, prefilled with the defaults of the option schema
+    getDefaultOptions(options) {
+        const defaults = {};
+        (options || []).forEach(option => {
+            if (option.defaultValue) {
+                defaults[option.code] = option.defaultValue;
+            }
+        });
+        return defaults;
+    }
+
+    // adds the product shown in the panel with the chosen quantity, through the bulk add
+    async handleAddFromDetails() {
+        const line = this.toLineRequest(this.detailRow, this.detailQuantity, { ...this.detailOptions });
+
+        this.isLoading = true;
+        try {
+            const result = await addProductsToOrder({ orderId: this.recordId, lines: [line] });
+            const added = result.lines.filter(resultLine => resultLine.success);
+            if (added.length) {
+                this.handleCloseDetails();
                 await this.loadProducts();
-                this.markProductAsAdded(productId);
-                this.dispatchProductAddedEvent(productId, result.recordId);
+                this.publishAddedItems(added);
+                this.refreshOrderRecord();
                 this.showToast('Success', result.message, 'success');
-
-                //a short delay to commit the OrderItem
-                setTimeout(() => {
-                    this.refreshCurrentRecordView();
-                }, 500);
             } else {
-                this.showToast('Error', result.message, 'error');
+                this.showToast('Error adding product', result.lines[0].message, 'error');
             }
         } catch (error) {
             this.showToast('Error adding product', this.getErrorMessage(error), 'error');
@@ -258,7 +459,8 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
         }
     }
 
-    async handleAddExternalProduct(product) {
+    // "Add to Order" on a row adds one of it through the same bulk add as the selection
+    async handleAddProduct(product) {
         if (!product || !this.recordId) {
             this.showToast('Error', 'Missing order or product information', 'error');
             return;
@@ -266,49 +468,281 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
 
         this.isLoading = true;
         try {
-            const result = await addExternalProductToOrder({
+            const result = await addProductsToOrder({
                 orderId: this.recordId,
-                externalProductJson: JSON.stringify(product)
+                lines: [this.toLineRequest(product, 1, {})]
             });
+            const [line] = result.lines;
 
-            if (result && result.success) {
-                this.markProductAsAdded(product.productId || product.productCode);
+            if (line.success) {
                 await this.loadProducts();
-                this.dispatchProductAddedEvent(
-                    product.productId || product.productCode,
-                    result.recordId
-                );
-                this.showToast('Success', result.message, 'success');
-                //a short delay to commit the OrderItem
-                setTimeout(() => {
-                    this.refreshCurrentRecordView();
-                }, 500);
+                this.markProductAsAdded(product.productId);
+                this.publishAddedItems([line]);
+                this.refreshOrderRecord();
+                this.showToast('Success', `${product.productName} added to order`, 'success');
             } else {
-                this.showToast('Error', result ? result.message : 'Failed to add external product', 'error');
+                this.showToast('Error', line.message, 'error');
             }
         } catch (error) {
-            this.showToast('Error adding external product', this.getErrorMessage(error), 'error');
+            this.showToast('Error adding product', this.getErrorMessage(error), 'error');
         } finally {
             this.isLoading = false;
         }
     }
 
-    markProductAsAdded(productId) {
-        this.products = this.products.map(p => {
-            if (p.productId === productId) {
-                return {
-                    ...p,
-                    isAddedToOrder: true,
-                    statusLabel: '✓ Added',
-                    statusClass: 'slds-text-color_success',
-                    rowClass: 'slds-hint-parent slds-is-selected',
-                    disableAdd: true
-                };
+    // the row's source tells the server which catalogue checks and resolves the line
+    toLineRequest(product, quantity, selectedOptions) {
+        return {
+            productId: product.productId,
+            productCode: product.productCode,
+            productName: product.productName,
+            category: product.category,
+            listPrice: product.listPrice,
+            currencyCode: product.currencyCode,
+            isExternal: product.isExternal,
+            source: product.source,
+            quantity,
+            selectedOptions
+        };
+    }
+
+    handleRowSelection(event) {
+        // the datatable only reports rows of the current page, keep the other pages intact
+        this.pagedProducts.forEach(p => this.unselect(p.rowKey));
+        event.detail.selectedRows.forEach(p => this.select(p.rowKey));
+        this.selectionCount = this.selectedKeys.size;
+    }
+
+    select(rowKey) {
+        const product = this.products.find(p => p.rowKey === rowKey);
+        if (product) {
+            this.selectedKeys.add(rowKey);
+            this.selectedProducts[rowKey] = product;
+        }
+    }
+
+    unselect(rowKey) {
+        this.selectedKeys.delete(rowKey);
+        delete this.selectedProducts[rowKey];
+    }
+
+    handleCellChange(event) {
+        event.detail.draftValues.forEach(draft => {
+            const quantity = parseInt(draft.quantity, 10);
+            if (quantity > 0) {
+                this.quantities = { ...this.quantities, [draft.rowKey]: quantity };
+                this.select(draft.rowKey);
             }
-            return p;
         });
+        this.selectionCount = this.selectedKeys.size;
+        // values are applied to the rows straight away, so no draft highlight is kept
+        this.quantityDrafts = [];
+        this.products = this.products.map(p => ({ ...p, quantity: this.quantities[p.rowKey] || 1 }));
+    }
+
+    async handleAddSelected() {
+        if (!this.recordId || !this.selectedKeys.size) {
+            return;
+        }
+
+        const lines = Object.values(this.selectedProducts)
+            .map(p => this.toLineRequest(p, this.quantities[p.rowKey] || 1, this.getDefaultOptions(p.options)));
+
+        this.isLoading = true;
+        try {
+            const result = await addProductsToOrder({ orderId: this.recordId, lines });
+            const added = result.lines.filter(line => line.success);
+            const failed = result.lines.filter(line => !line.success);
+
+            if (added.length) {
+                added.forEach(line => {
+                    this.unselect(line.key);
+                    delete this.quantities[line.key];
+                });
+                this.selectionCount = this.selectedKeys.size;
+                await this.loadProducts();
+                this.publishAddedItems(added);
+                this.refreshOrderRecord();
+            }
+
+            if (failed.length) {
+                const details = failed.map(line => `${line.key}: ${line.message}`).join('\n');
+                this.showToast(result.message, details, added.length ? 'warning' : 'error');
+            } else {
+                this.showToast('Success', result.message, 'success');
+            }
+        } catch (error) {
+            this.showToast('Error adding products', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleOpenImport() {
+        this.showImport = true;
+        this.importFileName = undefined;
+        this.importError = undefined;
+        this.importRows = [];
+        this.importSelectedKeys = [];
+    }
+
+    handleCloseImport() {
+        this.showImport = false;
+    }
+
+    // the file is parsed in the browser; the server only resolves the codes (nothing is saved yet)
+    async handleImportFile(event) {
+        const [file] = event.target.files || [];
+        if (!file) {
+            return;
+        }
+        this.importFileName = file.name;
+        this.importError = undefined;
+        this.importRows = [];
+        this.importSelectedKeys = [];
+
+        this.isImporting = true;
+        try {
+            const rows = this.parseImportCsv(await this.readFile(file));
+            if (!rows.length) {
+                this.importError = 'The file has no order lines';
+                return;
+            }
+            const preview = await previewImport({ orderId: this.recordId, rows });
+            this.importSummary = preview.message;
+            this.importRows = preview.rows.map(row => ({
+                ...row,
+                currencyCode: preview.currencyCode,
+                statusClass: row.status === IMPORT_STATUS_READY ? 'slds-text-color_success' : 'slds-text-color_error'
+            }));
+            this.importSelectedKeys = this.importRows
+                .filter(row => row.status === IMPORT_STATUS_READY)
+                .map(row => row.rowNumber);
+        } catch (error) {
+            this.importError = this.getErrorMessage(error);
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    // product code and quantity per line, separated by "," or ";" (Excel in Dutch locales).
+    // A first line without a numeric quantity is a header; duplicate codes are summed
+    parseImportCsv(text) {
+        const lines = (text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+        const firstIndex = lines.findIndex(line => line.trim());
+        const firstLine = firstIndex >= 0 ? lines[firstIndex] : '';
+        const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+        const rows = [];
+        const rowsByCode = {};
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            const [code = '', quantityValue = ''] = this.splitCsvLine(line, separator);
+            const productCode = code.trim();
+            const quantity = quantityValue.trim() === '' ? NaN : Number(quantityValue.trim());
+            if (index === firstIndex && Number.isNaN(quantity)) {
+                return;
+            }
+
+            const merged = rowsByCode[productCode];
+            if (productCode && merged && !Number.isNaN(quantity) && merged.quantity !== null) {
+                merged.quantity += quantity;
+                return;
+            }
+            const row = { rowNumber: index + 1, productCode, quantity: Number.isNaN(quantity) ? null : quantity };
+            if (productCode && row.quantity !== null) {
+                rowsByCode[productCode] = row;
+            }
+            rows.push(row);
+        });
+        return rows;
+    }
+
+    // values may be quoted, with "" for a quote inside a quoted value
+    splitCsvLine(line, separator) {
+        const values = [];
+        let value = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                values.push(value);
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        values.push(value);
+        return values;
+    }
+
+    // only Ready rows can be confirmed
+    handleImportRowSelection(event) {
+        this.importSelectedKeys = event.detail.selectedRows
+            .filter(row => row.status === IMPORT_STATUS_READY)
+            .map(row => row.rowNumber);
+    }
+
+    // the confirmed rows go through the bulk add in one call
+    async handleConfirmImport() {
+        const selected = new Set(this.importSelectedKeys);
+        const lines = this.importRows
+            .filter(row => selected.has(row.rowNumber) && row.status === IMPORT_STATUS_READY)
+            .map(row => row.line);
+        if (!lines.length) {
+            return;
+        }
+
+        this.isImporting = true;
+        try {
+            const result = await addProductsToOrder({ orderId: this.recordId, lines });
+            const added = result.lines.filter(line => line.success);
+            const failed = result.lines.filter(line => !line.success);
+
+            if (added.length) {
+                this.showImport = false;
+                await this.loadProducts();
+                this.publishAddedItems(added);
+                this.refreshOrderRecord();
+            }
+
+            if (failed.length) {
+                const details = failed.map(line => `${line.key}: ${line.message}`).join('\n');
+                this.showToast(result.message, details, added.length ? 'warning' : 'error');
+            } else {
+                this.showToast('Success', result.message, 'success');
+            }
+        } catch (error) {
+            this.showToast('Error importing order lines', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
 
-        this.filteredProducts = this.filteredProducts.map(p => {
+    markProductAsAdded(productId) {
+        this.products = this.products.map(p => {
             if (p.productId === productId) {
                 return {
                     ...p,
@@ -316,35 +750,29 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
                     statusLabel: '✓ Added',
                     statusClass: 'slds-text-color_success',
                     rowClass: 'slds-hint-parent slds-is-selected',
-                    disableAdd: true    // 👈 new
+                    disableAdd: true
                 };
             }
             return p;
         });
-
-        // your stats refresh...
-        this.sfCount = this.products.filter(p => !p.isExternal).length;
-        this.apiCount = this.products.filter(p => p.isExternal).length;
-        this.totalCount = this.products.length;
-
-        this.showStats = false;
-        Promise.resolve().then(() => {
-            this.showStats = true;
-        });
     }
 
 
 
-    dispatchProductAddedEvent(productId, orderItemId) {
-        const detail = {
-            productId,
-            orderItemId,
-            orderId: this.recordId
-        };
-
-        // publish to LMS
-        publish(this.messageContext, PRODUCT_ADDED_CHANNEL, detail);
+    publishAddedItems(lines) {
+        const addedItems = lines.map(line => ({
+            productId: line.productId,
+            orderItemId: line.orderItemId
+        }));
 
+        publish(this.messageContext, PRODUCT_ADDED_CHANNEL, {
+            action: ORDER_ACTION_ADDED,
+            productId: addedItems[0].productId,
+            orderItemId: addedItems[0].orderItemId,
+            orderId: this.recordId,
+            addedItems,
+            items: addedItems
+        });
     }
 
     getErrorMessage(error) {
@@ -370,12 +798,14 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
     handleNextPage() {
         if (!this.isLastPage) {
             this.currentPage = this.currentPage + 1;
+            this.loadProducts();
         }
     }
 
     handlePrevPage() {
         if (!this.isFirstPage) {
             this.currentPage = this.currentPage - 1;
+            this.loadProducts();
         }
     }
 
@@ -390,8 +820,75 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
         this.dispatchEvent(event);
     }
 
+    get showDetails() {
+        return !!this.detailRow;
+    }
+
+    get detailTitle() {
+        return this.detailRow ? this.detailRow.productName : '';
+    }
+
+    get hasSpecifications() {
+        return !!this.productDetail && this.productDetail.specifications && this.productDetail.specifications.length > 0;
+    }
+
+    get hasPricebookPrice() {
+        return !!this.productDetail && this.productDetail.pricebookPrice !== undefined && this.productDetail.pricebookPrice !== null;
+    }
+
+    get hasApiPrice() {
+        return !!this.productDetail && this.productDetail.apiPrice !== undefined && this.productDetail.apiPrice !== null;
+    }
+
+    get detailStock() {
+        return this.productDetail ? this.getStockBadge(this.productDetail.stock).stockLabel : '';
+    }
+
+    get optionFields() {
+        if (!this.productDetail || !this.productDetail.options) {
+            return [];
+        }
+        return this.productDetail.options.map(option => ({
+            code: option.code,
+            label: option.label,
+            required: option.required,
+            hasValues: option.values && option.values.length > 0,
+            choices: (option.values || []).map(choice => ({ label: choice.label, value: choice.value })),
+            value: this.detailOptions[option.code]
+        }));
+    }
+
+    get hasOptionFields() {
+        return this.optionFields.length > 0;
+    }
+
+    get isMissingRequiredOption() {
+        return this.optionFields.some(field => field.required && !field.value);
+    }
+
+    get isDetailAddDisabled() {
+        return this.isActivated
+            || this.isLoading
+            || !this.productDetail
+            || !(this.detailQuantity > 0)
+            || this.productDetail.stock === 0
+            || this.isMissingRequiredOption;
+    }
+
+    get hasImportRows() {
+        return this.importRows.length > 0;
+    }
+
+    get confirmImportLabel() {
+        return `Add ${this.importSelectedKeys.length} line(s)`;
+    }
+
+    get isConfirmImportDisabled() {
+        return this.isImporting || !this.importSelectedKeys.length;
+    }
+
     get hasProducts() {
-        return this.filteredProducts && this.filteredProducts.length > 0;
+        return this.products && this.products.length > 0;
     }
 
     get noProductsMessage() {
@@ -402,11 +899,31 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
     }
 
     get sfProductCount() {
-        return this.products.filter(p => !p.isExternal).length;
+        return this.sfCount;
     }
 
     get externalProductCount() {
-        return this.products.filter(p => p.isExternal).length;
+        return this.apiCount;
+    }
+
+    get showLastRefreshed() {
+        return this.includeExternal && !!this.lastRefreshed;
+    }
+
+    get hasExternalWarning() {
+        return this.includeExternal && !!this.externalStatus && this.externalStatus.status !== 'ok';
+    }
+
+    get externalWarning() {
+        if (!this.hasExternalWarning) {
+            return '';
+        }
+        const { message, httpCode } = this.externalStatus;
+        const code = httpCode ? ` (HTTP ${httpCode})` : '';
+        const fallback = this.externalStale
+            ? ' Showing the last known external products.'
+            : ' Only Salesforce products are shown.';
+        return `External products unavailable: ${message}${code}.${fallback}`;
     }
 
     get productStats() {
@@ -414,15 +931,32 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
     }
 
     get totalPages() {
-        return this.filteredProducts.length
-            ? Math.ceil(this.filteredProducts.length / this.pageSize)
+        return this.totalCount
+            ? Math.ceil(this.totalCount / this.pageSize)
             : 1;
     }
 
+    get selectedRowKeys() {
+        return this.pagedProducts
+            .filter(p => this.selectedKeys.has(p.rowKey))
+            .map(p => p.rowKey);
+    }
+
+    get hasSelection() {
+        return this.selectionCount > 0;
+    }
+
+    get isAddSelectedDisabled() {
+        return this.isActivated || this.isLoading || !this.hasSelection;
+    }
+
+    get addSelectedLabel() {
+        return `Add Selected (${this.selectionCount})`;
+    }
+
+    // the server already returns exactly one page
     get pagedProducts() {
-        const start = (this.currentPage - 1) * this.pageSize;
-        const end = start + this.pageSize;
-        return this.filteredProducts.slice(start, end);
+        return this.products;
     }
 
     get isFirstPage() {
@@ -434,7 +968,7 @@ export default class AvailableProducts extends NavigationMixin(LightningElement)
     }
 
     get totalRecords() {
-        return this.filteredProducts ? this.filteredProducts.length : 0;
+        return this.totalCount || 0;
     }
 
     get startRecord() {
@@ -1,5 +1,210 @@
 import { createElement } from '@lwc/engine-dom';
 import OrderProducts from 'c/orderProducts';
+import getOrderProducts from '@salesforce/apex/OrderProductsController.getOrderProducts';
+import saveOrderItems from '@salesforce/apex/OrderProductsController.saveOrderItems';
+import getOrderSyncStatus from '@salesforce/apex/OrderProductsController.getOrderSyncStatus';
+import retryOrderSync from '@salesforce/apex/OrderProductsController.retryOrderSync';
+import getActivationChecklist from '@salesforce/apex/OrderProductsController.getActivationChecklist';
+import isOrderActivated from '@salesforce/apex/OrderProductsController.isOrderActivated';
+import amendOrder from '@salesforce/apex/OrderProductsController.amendOrder';
+import getPriceChanges from '@salesforce/apex/OrderProductsController.getPriceChanges';
+import repriceOrderItems from '@salesforce/apex/OrderProductsController.repriceOrderItems';
+import getPricingSummary from '@salesforce/apex/OrderProductsController.getPricingSummary';
+import saveOrderDiscount from '@salesforce/apex/OrderProductsController.saveOrderDiscount';
+import approveOrderDiscount from '@salesforce/apex/OrderProductsController.approveOrderDiscount';
+import generateQuotePdf from '@salesforce/apex/OrderProductsController.generateQuotePdf';
+import removeOrderItem from '@salesforce/apex/OrderProductsController.removeOrderItem';
+import { subscribe as subscribeToEvents } from 'lightning/empApi';
+import { publish, subscribe } from 'lightning/messageService';
+import { refreshApex } from '@salesforce/apex';
+import { getRecord, notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+
+jest.mock(
+    '@salesforce/apex',
+    () => ({
+        refreshApex: jest.fn(() => Promise.resolve())
+    }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.getOrderProducts',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.saveOrderItems',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.getOrderSyncStatus',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.retryOrderSync',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.getActivationChecklist',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.isOrderActivated',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.amendOrder',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.getPriceChanges',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.repriceOrderItems',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.getPricingSummary',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.saveOrderDiscount',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.approveOrderDiscount',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.generateQuotePdf',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/OrderProductsController.removeOrderItem',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock('@salesforce/customPermission/KPN_Amend_Order', () => ({ default: true }), { virtual: true });
+
+const ORDER_ITEMS = [
+    {
+        orderItemId: '802000000000001AAA',
+        productId: '01t000000000001AAA',
+        productName: 'KPN Fiber 1 Gbps',
+        productCode: 'FIBER-1G',
+        quantity: 1,
+        unitPrice: 55,
+        totalPrice: 55
+    }
+];
+
+// 10% off the order, 21% VAT over the rest
+const PRICING = {
+    subtotal: 100,
+    lineDiscount: 0,
+    orderDiscount: 10,
+    totalDiscount: 10,
+    netTotal: 90,
+    vatLines: [{ label: 'Standard', rate: 21, base: 90, amount: 18.9 }],
+    vatTotal: 18.9,
+    grandTotal: 108.9,
+    discountPercent: 10,
+    approvalThreshold: 15,
+    approvalRequired: false,
+    isApproved: true,
+    canApprove: false,
+    isEditable: true,
+    orderDiscountPercent: 10
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
 
 describe('c-order-products', () => {
     afterEach(() => {
@@ -7,6 +212,7 @@ describe('c-order-products', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +228,558 @@ describe('c-order-products', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('makes quantity, unit price and discounts editable while the order is draft', async () => {
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        const editable = datatable.columns
+            .filter(column => column.editable)
+            .map(column => column.fieldName);
+        expect(editable).toEqual(['unitPrice', 'quantity', 'discountPercent', 'discountAmount']);
+    });
+
+    it('shows amounts in the order currency', async () => {
+        getPricingSummary.mockResolvedValue({ ...PRICING, subtotal: 55, netTotal: 55, vatLines: [], grandTotal: 55 });
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        const currencyCodes = () => element.shadowRoot.querySelector('lightning-datatable').columns
+            .filter(column => column.type === 'currency')
+            .map(column => column.typeAttributes.currencyCode);
+        expect(currencyCodes()).toEqual(['USD', 'USD', 'USD', 'USD']);
+
+        getRecord.emit({ fields: { CurrencyIsoCode: { value: 'GBP' } } });
+        await flushPromises();
+
+        expect(currencyCodes()).toEqual(['GBP', 'GBP', 'GBP', 'GBP']);
+        expect(element.shadowRoot.querySelector('[data-id="grand-total"]').textContent).toContain('£55.00');
+    });
+
+    it('sends all draft values in one call and shows row errors', async () => {
+        saveOrderItems.mockResolvedValue({
+            success: false,
+            message: '1 order line(s) could not be saved',
+            updatedCount: 0,
+            rowErrors: [
+                {
+                    recordId: '802000000000001AAA',
+                    message: 'Quantity must be greater than 0',
+                    fieldNames: ['quantity']
+                }
+            ]
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        datatable.dispatchEvent(
+            new CustomEvent('save', {
+                detail: {
+                    draftValues: [{ orderItemId: '802000000000001AAA', quantity: '0' }]
+                }
+            })
+        );
+        await flushPromises();
+        await flushPromises();
+
+        expect(saveOrderItems).toHaveBeenCalledTimes(1);
+        expect(saveOrderItems.mock.calls[0][0]).toEqual({
+            orderId: '801000000000001AAA',
+            drafts: [
+                {
+                    orderItemId: '802000000000001AAA',
+                    quantity: 0,
+                    unitPrice: null,
+                    discountPercent: null,
+                    discountAmount: null
+                }
+            ]
+        });
+        expect(datatable.errors.rows['802000000000001AAA'].fieldNames).toEqual(['quantity']);
+        expect(datatable.draftValues).toHaveLength(1);
+    });
+
+    it('shows a failed sync with Retry and reloads the status on a sync event', async () => {
+        getOrderSyncStatus.mockResolvedValue({
+            status: 'Failed',
+            message: 'HTTP 500: Internal Server Error',
+            attemptCount: 5,
+            canRetry: true
+        });
+        retryOrderSync.mockResolvedValue({ success: true, message: 'Order sync queued again' });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+        await flushPromises();
+
+        const panel = element.shadowRoot.querySelector('[data-id="sync-status"]');
+        expect(panel.textContent).toContain('HTTP 500');
+
+        getOrderSyncStatus.mockResolvedValue({ status: 'Pending', attemptCount: 0, canRetry: false });
+        element.shadowRoot.querySelector('lightning-button[data-id="retry-sync"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(retryOrderSync).toHaveBeenCalledWith({ orderId: '801000000000001AAA' });
+        expect(element.shadowRoot.querySelector('[data-id="retry-sync"]')).toBeNull();
+
+        // a sync event for this order refreshes the panel without reloading the page
+        getOrderSyncStatus.mockResolvedValue({ status: 'Succeeded', externalOrderId: 'KPN-1001' });
+        const [channel, , onMessage] = subscribeToEvents.mock.calls[0];
+        expect(channel).toBe('/event/KPN_Order_Sync_Status__e');
+        onMessage({ data: { payload: { Order_Id__c: '801000000000001AAA', Status__c: 'Succeeded' } } });
+        await flushPromises();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="sync-status"]').textContent).toContain('KPN-1001');
+    });
+
+    it('keeps the loaded sync status when subscribing to sync events fails', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const subscribeError = new Error('No streaming access');
+        subscribeToEvents.mockRejectedValueOnce(subscribeError);
+        getOrderSyncStatus.mockResolvedValue({
+            status: 'Failed',
+            message: 'HTTP 500: Internal Server Error',
+            attemptCount: 5,
+            canRetry: true
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+        await flushPromises();
+
+        expect(consoleError).toHaveBeenCalledWith('Error subscribing to order sync events:', subscribeError);
+        expect(element.shadowRoot.querySelector('[data-id="sync-status"]').textContent).toContain('HTTP 500');
+        consoleError.mockRestore();
+    });
+
+    it('lists checklist issues and keeps Activate disabled until errors are fixed', async () => {
+        getActivationChecklist.mockResolvedValue({
+            canActivate: false,
+            errors: [{ ruleName: 'Bill_To_Contact', severity: 'Error', message: 'Bill-to contact is missing' }],
+            warnings: [{ ruleName: 'Contact_Details', severity: 'Warning', message: 'Jansen has no phone number' }]
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+        await flushPromises();
+
+        const checklist = element.shadowRoot.querySelector('[data-id="activation-checklist"]');
+        const messages = Array.from(checklist.querySelectorAll('li')).map(item => item.textContent);
+        expect(messages).toEqual(['Bill-to contact is missing', 'Jansen has no phone number']);
+        const activateButton = element.shadowRoot.querySelector('div[slot="actions"] lightning-button');
+        expect(activateButton.disabled).toBe(true);
+
+        getActivationChecklist.mockResolvedValue({ canActivate: true, errors: [], warnings: [] });
+        checklist.querySelector('lightning-button-icon').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(activateButton.disabled).toBe(false);
+        expect(element.shadowRoot.querySelector('[data-id="activation-checklist"]').textContent).toContain(
+            'All checks passed'
+        );
+    });
+
+    it('shows why the checklist could not be loaded', async () => {
+        getActivationChecklist.mockRejectedValue({ body: { message: 'Insufficient access' } });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+        await flushPromises();
+
+        const checklist = element.shadowRoot.querySelector('[data-id="activation-checklist"]');
+        expect(checklist.querySelector('[data-id="checklist-error"]').textContent).toBe(
+            'Checks could not be run: Insufficient access'
+        );
+        expect(checklist.textContent).not.toContain('All checks passed');
+        expect(element.shadowRoot.querySelector('div[slot="actions"] lightning-button').disabled).toBe(true);
+
+        getActivationChecklist.mockResolvedValue({ canActivate: true, errors: [], warnings: [] });
+        checklist.querySelector('lightning-button-icon').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('[data-id="checklist-error"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('div[slot="actions"] lightning-button').disabled).toBe(false);
+    });
+
+    it('reverts an activated order to draft with a reason', async () => {
+        isOrderActivated.mockResolvedValue(true);
+        amendOrder.mockResolvedValue({
+            success: true,
+            message: 'Order reverted to Draft (Amendment request sent to KPN)',
+            recordId: '801000000000001AAA'
+        });
+        getActivationChecklist.mockResolvedValue({ canActivate: true, errors: [], warnings: [] });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+        await flushPromises();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="amend"]').click();
+        await flushPromises();
+
+        const form = element.shadowRoot.querySelector('[data-id="amend-form"]');
+        const confirm = form.querySelector('lightning-button[data-id="confirm-amend"]');
+        expect(confirm.disabled).toBe(true);
+
+        form.querySelector('lightning-radio-group').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Revert' } })
+        );
+        form.querySelector('lightning-textarea').dispatchEvent(
+            new CustomEvent('change', { detail: { value: 'Customer wants one more line' } })
+        );
+        await flushPromises();
+        expect(confirm.disabled).toBe(false);
+
+        confirm.click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(amendOrder).toHaveBeenCalledWith({
+            orderId: '801000000000001AAA',
+            mode: 'Revert',
+            reason: 'Customer wants one more line'
+        });
+        expect(element.shadowRoot.querySelector('[data-id="amend"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('div[slot="actions"] lightning-button').label).toBe('Activate Order');
+        expect(publish).toHaveBeenCalledTimes(1);
+        expect(publish.mock.calls[0][2]).toMatchObject({
+            action: 'reverted',
+            orderId: '801000000000001AAA',
+            items: []
+        });
+    });
+
+    it('shows drifted prices with the total change and reprices a single line', async () => {
+        isOrderActivated.mockResolvedValue(false);
+        getPriceChanges.mockResolvedValue({
+            totalDelta: 5,
+            changes: [
+                {
+                    orderItemId: '802000000000001AAA',
+                    productName: 'KPN Fiber 1 Gbps',
+                    productCode: 'FIBER-1G',
+                    quantity: 1,
+                    currentUnitPrice: 55,
+                    newUnitPrice: 60,
+                    priceSource: 'Product API',
+                    lineDelta: 5
+                }
+            ]
+        });
+        repriceOrderItems.mockResolvedValue({
+            success: true,
+            message: '1 order line(s) repriced, total change +5.00',
+            updatedCount: 1,
+            rowErrors: []
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+        await flushPromises();
+
+        const panel = element.shadowRoot.querySelector('[data-id="price-changes"]');
+        expect(panel.querySelectorAll('li')).toHaveLength(1);
+        expect(panel.textContent).toContain('Product API');
+        expect(panel.querySelector('[data-id="price-delta"]').textContent).toContain('+');
+
+        panel.querySelector('lightning-button[data-order-item-id="802000000000001AAA"]').click();
+        await flushPromises();
+
+        expect(repriceOrderItems).toHaveBeenCalledWith({
+            orderId: '801000000000001AAA',
+            orderItemIds: ['802000000000001AAA']
+        });
+    });
+
+    it('shows the pricing breakdown and saves the order discount', async () => {
+        getPricingSummary.mockResolvedValue(PRICING);
+        saveOrderDiscount.mockResolvedValue({ success: true, message: 'Order discount saved' });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+        await flushPromises();
+
+        const summary = element.shadowRoot.querySelector('[data-id="pricing-summary"]');
+        const labels = Array.from(summary.querySelectorAll('dt')).map(label => label.textContent);
+        expect(labels).toEqual(['Subtotal', 'Order discount', 'Total excl. VAT', 'VAT 21% (Standard)']);
+        expect(summary.querySelector('[data-id="grand-total"]').textContent).toContain('108.90');
+        expect(element.shadowRoot.querySelector('[data-id="discount-approval"]')).toBeNull();
+
+        const percentInput = element.shadowRoot.querySelector('[data-id="order-discount-percent"]');
+        expect(percentInput.value).toBe(10);
+        percentInput.dispatchEvent(new CustomEvent('change', { detail: { value: '' } }));
+        element.shadowRoot
+            .querySelector('[data-id="order-discount-amount"]')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: '25' } }));
+        element.shadowRoot.querySelector('lightning-button[data-id="save-order-discount"]').click();
+        await flushPromises();
+
+        expect(saveOrderDiscount).toHaveBeenCalledWith({
+            orderId: '801000000000001AAA',
+            discountPercent: null,
+            discountAmount: 25
+        });
+    });
+
+    it('asks for approval of a discount above the threshold', async () => {
+        getPricingSummary.mockResolvedValue({
+            ...PRICING,
+            discountPercent: 20,
+            approvalRequired: true,
+            isApproved: false,
+            canApprove: true
+        });
+        approveOrderDiscount.mockResolvedValue({ success: true, message: 'Discount of 20% approved' });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+        await flushPromises();
+
+        const approval = element.shadowRoot.querySelector('[data-id="discount-approval"]');
+        expect(approval.textContent).toContain('A discount of 20% needs approval (above 15%)');
+
+        getPricingSummary.mockResolvedValue({
+            ...PRICING,
+            discountPercent: 20,
+            approvalRequired: true,
+            isApproved: true,
+            approvedBy: 'Sanne de Vries'
+        });
+        approval.querySelector('lightning-button[data-id="approve-discount"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(approveOrderDiscount).toHaveBeenCalledWith({ orderId: '801000000000001AAA' });
+        expect(element.shadowRoot.querySelector('[data-id="discount-approval"]').textContent).toContain(
+            'approved by Sanne de Vries'
+        );
+        expect(element.shadowRoot.querySelector('[data-id="approve-discount"]')).toBeNull();
+    });
+
+    it('downloads the order lines as CSV', async () => {
+        const links = [];
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            links.push({ href: this.href, download: this.download });
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit([
+            ...ORDER_ITEMS,
+            {
+                orderItemId: '802000000000002AAA',
+                productName: 'KPN Router "Box 12"',
+                productCode: 'ROUTER-12',
+                optionsSummary: 'COLOR: White, WIFI: 6',
+                quantity: 2,
+                unitPrice: 10,
+                discountPercent: 10,
+                totalPrice: 20,
+                netPrice: 18
+            },
+            {
+                orderItemId: '802000000000003AAA',
+                productName: '=HYPERLINK("https://example.com","Router")',
+                productCode: '@ROUTER',
+                optionsSummary: '-',
+                quantity: 1,
+                unitPrice: 10,
+                discountPercent: -5,
+                totalPrice: 10,
+                netPrice: 10
+            }
+        ]);
+        await flushPromises();
+
+        element.shadowRoot
+            .querySelector('lightning-button-menu[data-id="export-menu"]')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: 'csv' } }));
+
+        expect(links).toHaveLength(1);
+        expect(links[0].download).toBe('order-products-801000000000001AAA.csv');
+        const csv = decodeURIComponent(links[0].href.replace('data:text/csv;charset=utf-8,', ''));
+        expect(csv.split('\r\n')).toEqual([
+            'Product,Product Code,Options,Quantity,Unit Price (USD),Discount %,Discount (USD),Total Price (USD),Net Price (USD)',
+            'KPN Fiber 1 Gbps,FIBER-1G,,1,55,,,55,',
+            '"KPN Router ""Box 12""",ROUTER-12,"COLOR: White, WIFI: 6",2,10,10,,20,18',
+            `"'=HYPERLINK(""https://example.com"",""Router"")",'@ROUTER,'-,1,10,-5,,10,10`
+        ]);
+        click.mockRestore();
+    });
+
+    it('attaches a PDF quote to the order', async () => {
+        generateQuotePdf.mockResolvedValue({
+            success: true,
+            message: 'Quote 00000100 2025-11-20 attached to the order',
+            recordId: '069000000000001AAA'
+        });
+        const toastHandler = jest.fn();
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        element.addEventListener('lightning__showtoast', toastHandler);
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        element.shadowRoot
+            .querySelector('lightning-button-menu[data-id="export-menu"]')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: 'pdf' } }));
+        await flushPromises();
+
+        expect(generateQuotePdf).toHaveBeenCalledWith({ orderId: '801000000000001AAA' });
+        expect(toastHandler).toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('success');
+        expect(element.shadowRoot.querySelector('lightning-menu-item[data-id="export-pdf"]').disabled).toBe(false);
+    });
+
+    it('reports a failed refresh and keeps the loaded lines', async () => {
+        refreshApex.mockRejectedValueOnce({ body: { message: 'Server unavailable' } });
+        const toastHandler = jest.fn();
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        element.addEventListener('lightning__showtoast', toastHandler);
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        const handleMessage = subscribe.mock.calls[0][2];
+        handleMessage({ action: 'added', orderId: '801000000000001AAA' });
+        await flushPromises();
+        await flushPromises();
+
+        expect(refreshApex).toHaveBeenCalled();
+        expect(toastHandler).toHaveBeenCalled();
+        expect(toastHandler.mock.calls[0][0].detail.variant).toBe('error');
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Server unavailable');
+        expect(element.shadowRoot.querySelector('lightning-datatable').data).toHaveLength(ORDER_ITEMS.length);
+    });
+
+    it('tells the other components about removed lines and changed quantities', async () => {
+        removeOrderItem.mockResolvedValue({ success: true, message: 'Product removed' });
+        saveOrderItems.mockResolvedValue({
+            success: true,
+            message: '1 order line(s) updated',
+            updatedCount: 1,
+            rowErrors: []
+        });
+
+        const element = createElement('c-order-products', {
+            is: OrderProducts
+        });
+        element.recordId = '801000000000001AAA';
+        document.body.appendChild(element);
+
+        getOrderProducts.emit(ORDER_ITEMS);
+        await flushPromises();
+
+        const datatable = element.shadowRoot.querySelector('lightning-datatable');
+        datatable.dispatchEvent(
+            new CustomEvent('save', {
+                detail: { draftValues: [{ orderItemId: '802000000000001AAA', quantity: '3' }] }
+            })
+        );
+        await flushPromises();
+        await flushPromises();
+
+        expect(publish.mock.calls[0][2]).toEqual({
+            action: 'quantityChanged',
+            productId: '01t000000000001AAA',
+            orderItemId: '802000000000001AAA',
+            orderId: '801000000000001AAA',
+            items: [{ productId: '01t000000000001AAA', orderItemId: '802000000000001AAA' }]
+        });
+
+        datatable.dispatchEvent(
+            new CustomEvent('rowaction', { detail: { action: { name: 'remove' }, row: ORDER_ITEMS[0] } })
+        );
+        await flushPromises();
+        await flushPromises();
+
+        expect(removeOrderItem).toHaveBeenCalledWith({ orderItemId: '802000000000001AAA' });
+        expect(publish.mock.calls[1][2].action).toBe('removed');
+        expect(publish.mock.calls[1][2].items).toEqual([
+            { productId: '01t000000000001AAA', orderItemId: '802000000000001AAA' }
+        ]);
+        expect(notifyRecordUpdateAvailable).toHaveBeenCalledTimes(2);
+        expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([{ recordId: '801000000000001AAA' }]);
+    });
+});
@@ -5,9 +5,55 @@ import getOrderProducts from '@salesforce/apex/OrderProductsController.getOrderP
 import activateOrder from '@salesforce/apex/OrderProductsController.activateOrder';
 import isOrderActivated from '@salesforce/apex/OrderProductsController.isOrderActivated';
 import removeOrderItem from '@salesforce/apex/OrderProductsController.removeOrderItem';
-import { subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import saveOrderItems from '@salesforce/apex/OrderProductsController.saveOrderItems';
+import getOrderSyncStatus from '@salesforce/apex/OrderProductsController.getOrderSyncStatus';
+import retryOrderSync from '@salesforce/apex/OrderProductsController.retryOrderSync';
+import getActivationChecklist from '@salesforce/apex/OrderProductsController.getActivationChecklist';
+import amendOrder from '@salesforce/apex/OrderProductsController.amendOrder';
+import getPriceChanges from '@salesforce/apex/OrderProductsController.getPriceChanges';
+import repriceOrderItems from '@salesforce/apex/OrderProductsController.repriceOrderItems';
+import getPricingSummary from '@salesforce/apex/OrderProductsController.getPricingSummary';
+import saveOrderDiscount from '@salesforce/apex/OrderProductsController.saveOrderDiscount';
+import approveOrderDiscount from '@salesforce/apex/OrderProductsController.approveOrderDiscount';
+import generateQuotePdf from '@salesforce/apex/OrderProductsController.generateQuotePdf';
+import hasAmendPermission from '@salesforce/customPermission/KPN_Amend_Order';
+import { publish, subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import {
+    subscribe as subscribeToEvents,
+    unsubscribe as unsubscribeFromEvents,
+    onError as onEventError
+} from 'lightning/empApi';
 import PRODUCT_ADDED_CHANNEL from '@salesforce/messageChannel/ProductAddedMessageChannel__c';
 import { NavigationMixin } from 'lightning/navigation';
+import { getRecord, getFieldValue, notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import LOCALE from '@salesforce/i18n/locale';
+import USER_CURRENCY from '@salesforce/i18n/currency';
+
+const SYNC_STATUS_CHANNEL = '/event/KPN_Order_Sync_Status__e';
+const AMEND_MODE_CLONE = 'Clone';
+const AMEND_MODE_REVERT = 'Revert';
+// ProductAddedMessageChannel actions; availableProducts publishes added
+const ORDER_ACTION_ADDED = 'added';
+const ORDER_ACTION_REMOVED = 'removed';
+const ORDER_ACTION_QUANTITY_CHANGED = 'quantityChanged';
+const ORDER_ACTION_ACTIVATED = 'activated';
+const ORDER_ACTION_REVERTED = 'reverted';
+// only exists in multi-currency orgs, so it is read as an optional field
+const ORDER_CURRENCY_FIELD = 'Order.CurrencyIsoCode';
+const EXPORT_CSV = 'csv';
+const EXPORT_PDF_QUOTE = 'pdf';
+// columns of the CSV download; currency columns get the order currency in their header
+const CSV_COLUMNS = [
+    { label: 'Product', fieldName: 'productName' },
+    { label: 'Product Code', fieldName: 'productCode' },
+    { label: 'Options', fieldName: 'optionsSummary' },
+    { label: 'Quantity', fieldName: 'quantity' },
+    { label: 'Unit Price', fieldName: 'unitPrice', currency: true },
+    { label: 'Discount %', fieldName: 'discountPercent' },
+    { label: 'Discount', fieldName: 'discountAmount', currency: true },
+    { label: 'Total Price', fieldName: 'totalPrice', currency: true },
+    { label: 'Net Price', fieldName: 'netPrice', currency: true }
+];
 
 export default class OrderProducts extends NavigationMixin(LightningElement) {
     @api recordId;
@@ -17,15 +63,42 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
     @track isActivating = false;
     @track isActivated = false;
     @track error;
+    @track draftValues = [];
+    @track draftErrors;
+    @track syncStatus;
+    @track checklist;
+    checklistError;
+    @track priceCheck;
+    @track pricing;
+    orderDiscountPercent;
+    orderDiscountAmount;
+    isSavingDiscount = false;
+    isApprovingDiscount = false;
+    isGeneratingQuote = false;
+    isRetryingSync = false;
+    isRepricing = false;
+    showAmendForm = false;
+    amendMode = AMEND_MODE_CLONE;
+    amendReason = '';
+    isAmending = false;
+
+    amendModeOptions = [
+        { label: 'Create a new draft order with the same products', value: AMEND_MODE_CLONE },
+        { label: 'Revert this order to draft and notify KPN', value: AMEND_MODE_REVERT }
+    ];
 
     wiredOrderItemsResult;
 
     @wire(MessageContext)
     messageContext;
 
+    @wire(getRecord, { recordId: '$recordId', optionalFields: [ORDER_CURRENCY_FIELD] })
+    orderRecord;
+
     subscription = null;
+    syncSubscription = null;
 
-    columns = [
+    baseColumns = [
         {
             label: 'Product Name',
             fieldName: 'productName',
@@ -38,13 +111,20 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             type: 'text',
             sortable: true
         },
+        {
+            // options chosen for configurable KPN products (contract duration, data bundle, ...)
+            label: 'Options',
+            fieldName: 'optionsSummary',
+            type: 'text',
+            wrapText: true
+        },
         {
             label: 'Unit Price',
             fieldName: 'unitPrice',
             type: 'currency',
             sortable: true,
+            editable: true,
             typeAttributes: {
-                currencyCode: 'EUR',
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 2
             }
@@ -54,6 +134,7 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             fieldName: 'quantity',
             type: 'number',
             sortable: true,
+            editable: true,
             cellAttributes: {
                 alignment: 'left'
             }
@@ -64,7 +145,39 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             type: 'currency',
             sortable: true,
             typeAttributes: {
-                currencyCode: 'EUR',
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }
+        },
+        {
+            // a line has a percentage or an amount discount; entering one clears the other
+            label: 'Discount %',
+            fieldName: 'discountPercent',
+            type: 'number',
+            editable: true,
+            typeAttributes: {
+                maximumFractionDigits: 2
+            },
+            cellAttributes: {
+                alignment: 'left'
+            }
+        },
+        {
+            label: 'Discount',
+            fieldName: 'discountAmount',
+            type: 'currency',
+            editable: true,
+            typeAttributes: {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }
+        },
+        {
+            label: 'Net Price',
+            fieldName: 'netPrice',
+            type: 'currency',
+            sortable: true,
+            typeAttributes: {
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 2
             }
@@ -81,20 +194,46 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         }
     ];
 
-    refreshCurrentRecordView() {
-        this[NavigationMixin.Navigate]({
-            type: 'standard__recordPage',
-            attributes: {
-                recordId: this.recordId,
-                objectApiName: 'Order',
-                actionName: 'view'
-            }
+    // inline editing is only offered while the order is still Draft; amounts are in the order currency
+    get columns() {
+        return this.baseColumns.map(column => {
+            const result = column.editable ? { ...column, editable: !this.isActivated } : column;
+            return column.type === 'currency'
+                ? { ...result, typeAttributes: { ...column.typeAttributes, currencyCode: this.currencyCode } }
+                : result;
+        });
+    }
+
+    // the user's currency is the org currency when multi-currency is off
+    get currencyCode() {
+        const orderCurrency = this.orderRecord && this.orderRecord.data
+            ? getFieldValue(this.orderRecord.data, ORDER_CURRENCY_FIELD)
+            : null;
+        return orderCurrency || USER_CURRENCY;
+    }
+
+    // lets the record page (totals, status) reload the order without navigating
+    refreshOrderRecord() {
+        notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+    }
+
+    // tells availableProducts (and any other listener) what changed on this order
+    publishOrderChange(action, items) {
+        const [first = {}] = items;
+        publish(this.messageContext, PRODUCT_ADDED_CHANNEL, {
+            action,
+            productId: first.productId,
+            orderItemId: first.orderItemId,
+            orderId: this.recordId,
+            items
         });
     }
 
     connectedCallback() {
         this.checkOrderActivationStatus();
         this.subscribeToMessageChannel();
+        this.loadSyncStatus();
+        this.subscribeToSyncEvents();
     }
 
     subscribeToMessageChannel() {
@@ -104,19 +243,16 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         this.subscription = subscribe(
             this.messageContext,
             PRODUCT_ADDED_CHANNEL,
-            (message) => this.handleProductAddedMessage(message)
+            (message) => this.handleOrderMessage(message)
         );
     }
 
-    handleProductAddedMessage(message) {
-        if (message && message.orderId === this.recordId) {
-            window.setTimeout(() => {
-                this.refreshOrderProducts();
-            }, 0);
-
-            window.setTimeout(() => {
-                this.refreshCurrentRecordView();
-            }, 400);
+    // lines added in availableProducts; the publisher has already notified the record page.
+    // Our own removed / quantityChanged / activated messages are ignored
+    handleOrderMessage(message) {
+        const action = (message && message.action) || ORDER_ACTION_ADDED;
+        if (message && message.orderId === this.recordId && action === ORDER_ACTION_ADDED) {
+            this.refreshOrderProducts();
         }
     }
 
@@ -125,6 +261,68 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             unsubscribe(this.subscription);
             this.subscription = null;
         }
+        if (this.syncSubscription) {
+            unsubscribeFromEvents(this.syncSubscription);
+            this.syncSubscription = null;
+        }
+    }
+
+    // KPN_Order_Sync_Status__e is published whenever the sync of any order changes state
+    subscribeToSyncEvents() {
+        if (this.syncSubscription) {
+            return;
+        }
+        onEventError(error => {
+            console.error('Order sync event error:', error);
+        });
+        subscribeToEvents(SYNC_STATUS_CHANNEL, -1, message => this.handleSyncEvent(message))
+            .then(response => {
+                this.syncSubscription = response;
+            })
+            .catch(error => {
+                // no live updates (e.g. no streaming access); the panel keeps the status loaded by loadSyncStatus
+                console.error('Error subscribing to order sync events:', error);
+            });
+    }
+
+    handleSyncEvent(message) {
+        const payload = message && message.data ? message.data.payload : null;
+        if (payload && this.isCurrentOrder(payload.Order_Id__c)) {
+            this.loadSyncStatus();
+        }
+    }
+
+    // events carry 18-character ids; compare on the case-sensitive 15-character prefix
+    isCurrentOrder(orderId) {
+        return !!orderId && !!this.recordId && orderId.substring(0, 15) === this.recordId.substring(0, 15);
+    }
+
+    async loadSyncStatus() {
+        if (!this.recordId) {
+            return;
+        }
+        try {
+            this.syncStatus = await getOrderSyncStatus({ orderId: this.recordId });
+        } catch (error) {
+            console.error('Error loading order sync status:', error);
+        }
+    }
+
+    async handleRetrySync() {
+        this.isRetryingSync = true;
+        try {
+            const result = await retryOrderSync({ orderId: this.recordId });
+            if (result.success) {
+                this.showToast('Sync queued', result.message, 'success');
+                await this.loadSyncStatus();
+            } else {
+                this.showToast('Retry not possible', result.message, 'warning');
+            }
+        } catch (error) {
+            this.showToast('Error retrying order sync', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isRetryingSync = false;
+        }
     }
 
     @wire(getOrderProducts, { orderId: '$recordId' })
@@ -136,6 +334,10 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             // decorate rows so the Remove button can be disabled when order is activated
             this.orderItems = this.decorateRows(data);
             this.error = undefined;
+            // lines changed, so the pre-activation checks, price drift and totals may have changed too
+            this.loadActivationChecklist();
+            this.loadPriceChanges();
+            this.loadPricingSummary();
         } else if (error) {
             this.error = this.getErrorMessage(error);
             this.orderItems = [];
@@ -162,6 +364,193 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         }
     }
 
+    // errors from the KPN_Order_Validation_Rule__mdt rules keep Activate disabled
+    async loadActivationChecklist() {
+        if (!this.recordId || this.isActivated) {
+            return;
+        }
+        try {
+            this.checklist = await getActivationChecklist({ orderId: this.recordId });
+            this.checklistError = undefined;
+        } catch (error) {
+            // without a checklist Activate stays disabled, so say why
+            this.checklist = undefined;
+            this.checklistError = this.getErrorMessage(error);
+        }
+    }
+
+    handleRecheck() {
+        this.loadActivationChecklist();
+    }
+
+    // draft lines whose unit price differs from the pricebook or latest Product API price
+    async loadPriceChanges() {
+        if (!this.recordId || this.isActivated) {
+            return;
+        }
+        try {
+            this.priceCheck = await getPriceChanges({ orderId: this.recordId });
+        } catch (error) {
+            console.error('Error loading price changes:', error);
+        }
+    }
+
+    // subtotal, discounts, VAT and grand total are calculated on the server
+    async loadPricingSummary() {
+        if (!this.recordId) {
+            return;
+        }
+        try {
+            this.pricing = await getPricingSummary({ orderId: this.recordId });
+            if (this.pricing) {
+                this.orderDiscountPercent = this.pricing.orderDiscountPercent;
+                this.orderDiscountAmount = this.pricing.orderDiscountAmount;
+            }
+        } catch (error) {
+            console.error('Error loading pricing summary:', error);
+        }
+    }
+
+    handleOrderDiscountPercentChange(event) {
+        this.orderDiscountPercent = event.detail.value;
+    }
+
+    handleOrderDiscountAmountChange(event) {
+        this.orderDiscountAmount = event.detail.value;
+    }
+
+    async handleSaveOrderDiscount() {
+        this.isSavingDiscount = true;
+        try {
+            const result = await saveOrderDiscount({
+                orderId: this.recordId,
+                discountPercent: this.toNumberOrNull(this.orderDiscountPercent),
+                discountAmount: this.toNumberOrNull(this.orderDiscountAmount)
+            });
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+                this.loadPricingSummary();
+                this.loadActivationChecklist();
+            } else {
+                this.showToast('Discount not saved', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error saving order discount', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isSavingDiscount = false;
+        }
+    }
+
+    async handleApproveDiscount() {
+        this.isApprovingDiscount = true;
+        try {
+            const result = await approveOrderDiscount({ orderId: this.recordId });
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+                this.loadPricingSummary();
+                this.loadActivationChecklist();
+            } else {
+                this.showToast('Discount not approved', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error approving discount', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isApprovingDiscount = false;
+        }
+    }
+
+    handleExportSelect(event) {
+        const value = event.detail.value;
+        if (value === EXPORT_CSV) {
+            this.downloadCsv();
+        } else if (value === EXPORT_PDF_QUOTE) {
+            this.createQuotePdf();
+        }
+    }
+
+    // the CSV is built from the lines on screen, so no server call is needed
+    downloadCsv() {
+        const link = document.createElement('a');
+        link.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent(this.buildCsv());
+        link.download = `order-products-${this.recordId}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    buildCsv() {
+        const currencyCode = this.currencyCode;
+        const header = CSV_COLUMNS.map(column => (column.currency ? `${column.label} (${currencyCode})` : column.label));
+        const rows = this.orderItems.map(item => CSV_COLUMNS.map(column => item[column.fieldName]));
+        return [header, ...rows].map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n');
+    }
+
+    // values with a comma, quote or line break are quoted, quotes inside are doubled; text that a
+    // spreadsheet would run as a formula gets a leading apostrophe
+    toCsvValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // the quote is rendered on the server and attached to the order as a File
+    async createQuotePdf() {
+        this.isGeneratingQuote = true;
+        try {
+            const result = await generateQuotePdf({ orderId: this.recordId });
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+                this[NavigationMixin.Navigate]({
+                    type: 'standard__namedPage',
+                    attributes: {
+                        pageName: 'filePreview'
+                    },
+                    state: {
+                        selectedRecordId: result.recordId
+                    }
+                });
+            } else {
+                this.showToast('Quote not generated', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error generating quote', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isGeneratingQuote = false;
+        }
+    }
+
+    handleRepriceLine(event) {
+        this.repriceLines([event.currentTarget.dataset.orderItemId]);
+    }
+
+    handleRepriceAll() {
+        this.repriceLines([]);
+    }
+
+    // an empty list reprices every drifted line
+    async repriceLines(orderItemIds) {
+        this.isRepricing = true;
+        try {
+            const result = await repriceOrderItems({ orderId: this.recordId, orderItemIds });
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+            } else {
+                this.showToast('Some lines were not repriced', result.message, 'error');
+            }
+
+            if (result.updatedCount > 0) {
+                this.refreshOrderProducts();
+                this.refreshOrderRecord();
+            }
+        } catch (error) {
+            this.showToast('Error repricing order products', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isRepricing = false;
+        }
+    }
+
     refreshOrderProducts() {
         if (this.wiredOrderItemsResult) {
             this.isLoading = true;
@@ -172,6 +561,10 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
                         this.orderItems = this.decorateRows(this.orderItems);
                     }
                 })
+                .catch(error => {
+                    // the lines already shown stay in place
+                    this.showToast('Error refreshing order products', this.getErrorMessage(error), 'error');
+                })
                 .finally(() => {
                     this.isLoading = false;
                 });
@@ -202,9 +595,14 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
             if (result.success) {
                 this.showToast('Success', result.message, 'success');
                 this.isActivated = true;
-                this.refreshPage();
+                this.orderItems = this.decorateRows(this.orderItems);
+                this.loadSyncStatus();
+                this.loadPricingSummary();
+                this.refreshOrderRecord();
+                this.publishOrderChange(ORDER_ACTION_ACTIVATED, []);
             } else {
                 this.showToast('Activation Failed', result.message, 'error');
+                this.loadActivationChecklist();
             }
         } catch (error) {
             this.showToast('Error activating order', this.getErrorMessage(error), 'error');
@@ -213,10 +611,67 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         }
     }
 
-    refreshPage() {
-        window.location.reload();
+    handleShowAmend() {
+        this.amendMode = AMEND_MODE_CLONE;
+        this.amendReason = '';
+        this.showAmendForm = true;
     }
-    
+
+    handleCancelAmend() {
+        this.showAmendForm = false;
+    }
+
+    handleAmendModeChange(event) {
+        this.amendMode = event.detail.value;
+    }
+
+    handleAmendReasonChange(event) {
+        this.amendReason = event.detail.value;
+    }
+
+    async handleConfirmAmend() {
+        this.isAmending = true;
+        try {
+            const result = await amendOrder({
+                orderId: this.recordId,
+                mode: this.amendMode,
+                reason: this.amendReason
+            });
+
+            if (!result.success) {
+                this.showToast('Amendment Failed', result.message, 'error');
+                return;
+            }
+
+            this.showToast('Success', result.message, 'success');
+            this.showAmendForm = false;
+            if (this.amendMode === AMEND_MODE_CLONE) {
+                // continue on the new draft order
+                this[NavigationMixin.Navigate]({
+                    type: 'standard__recordPage',
+                    attributes: {
+                        recordId: result.recordId,
+                        objectApiName: 'Order',
+                        actionName: 'view'
+                    }
+                });
+            } else {
+                this.isActivated = false;
+                this.orderItems = this.decorateRows(this.orderItems);
+                this.loadActivationChecklist();
+                this.loadPriceChanges();
+                this.loadPricingSummary();
+                this.loadSyncStatus();
+                this.refreshOrderRecord();
+                this.publishOrderChange(ORDER_ACTION_REVERTED, []);
+            }
+        } catch (error) {
+            this.showToast('Error amending order', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isAmending = false;
+        }
+    }
+
     async handleRowAction(event) {
         const actionName = event.detail.action.name;
         const row = event.detail.row;
@@ -234,7 +689,10 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
                 if (res && res.success) {
                     this.showToast('Success', res.message, 'success');
                     this.refreshOrderProducts();
-                    this.refreshCurrentRecordView();
+                    this.refreshOrderRecord();
+                    this.publishOrderChange(ORDER_ACTION_REMOVED, [
+                        { productId: row.productId, orderItemId: row.orderItemId }
+                    ]);
                 } else {
                     this.showToast('Error', res ? res.message : 'Unable to remove product', 'error');
                 }
@@ -246,6 +704,87 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         }
     }
 
+    async handleSave(event) {
+        const drafts = event.detail.draftValues.map(draft => ({
+            orderItemId: draft.orderItemId,
+            quantity: this.toNumberOrNull(draft.quantity),
+            unitPrice: this.toNumberOrNull(draft.unitPrice),
+            discountPercent: this.toNumberOrNull(draft.discountPercent),
+            discountAmount: this.toNumberOrNull(draft.discountAmount)
+        }));
+
+        this.isLoading = true;
+        try {
+            const result = await saveOrderItems({ orderId: this.recordId, drafts });
+
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+                this.draftValues = [];
+                this.draftErrors = undefined;
+            } else {
+                // keep only the rows that failed so the user can correct them
+                const failedIds = new Set(result.rowErrors.map(rowError => rowError.recordId));
+                this.draftValues = event.detail.draftValues.filter(draft => failedIds.has(draft.orderItemId));
+                this.draftErrors = this.buildDatatableErrors(result);
+                this.showToast('Some changes were not saved', result.message, 'error');
+            }
+
+            if (result.updatedCount > 0) {
+                this.refreshOrderProducts();
+                this.refreshOrderRecord();
+                this.publishQuantityChanges(drafts, result);
+            }
+        } catch (error) {
+            this.showToast('Error saving order products', this.getErrorMessage(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // saved rows whose quantity was part of the draft
+    publishQuantityChanges(drafts, result) {
+        const failedIds = new Set((result.rowErrors || []).map(rowError => rowError.recordId));
+        const productIds = new Map(this.orderItems.map(item => [item.orderItemId, item.productId]));
+        const items = drafts
+            .filter(draft => draft.quantity !== null && !failedIds.has(draft.orderItemId))
+            .map(draft => ({ productId: productIds.get(draft.orderItemId), orderItemId: draft.orderItemId }));
+        if (items.length) {
+            this.publishOrderChange(ORDER_ACTION_QUANTITY_CHANGED, items);
+        }
+    }
+
+    handleCancel() {
+        this.draftValues = [];
+        this.draftErrors = undefined;
+    }
+
+    // converts the Apex row errors into the shape lightning-datatable expects
+    buildDatatableErrors(result) {
+        const rows = {};
+        result.rowErrors.forEach(rowError => {
+            rows[rowError.recordId] = {
+                title: 'We found an error',
+                messages: [rowError.message],
+                fieldNames: rowError.fieldNames || []
+            };
+        });
+
+        return {
+            rows,
+            table: {
+                title: result.message,
+                messages: result.rowErrors.map(rowError => rowError.message)
+            }
+        };
+    }
+
+    toNumberOrNull(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        return Number(value);
+    }
+
     // helper to add removeDisabled
     decorateRows(data) {
         return data.map(item => {
@@ -290,25 +829,129 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         return this.orderItems && this.orderItems.length > 0;
     }
 
-    get totalOrderAmount() {
-        if (!this.hasOrderItems) {
-            return 0;
+    get isCsvExportDisabled() {
+        return !this.hasOrderItems;
+    }
+
+    get hasPricing() {
+        return !!this.pricing;
+    }
+
+    // footer rows: subtotal, discounts, net total, VAT per rate and grand total
+    get pricingRows() {
+        if (!this.pricing) {
+            return [];
+        }
+        const pricing = this.pricing;
+        const rows = [{ key: 'subtotal', label: 'Subtotal', value: this.formatCurrency(pricing.subtotal) }];
+        if (pricing.lineDiscount) {
+            rows.push({ key: 'line-discount', label: 'Line discounts', value: this.formatCurrency(-pricing.lineDiscount) });
+        }
+        if (pricing.orderDiscount) {
+            rows.push({ key: 'order-discount', label: 'Order discount', value: this.formatCurrency(-pricing.orderDiscount) });
         }
+        rows.push({ key: 'net', label: 'Total excl. VAT', value: this.formatCurrency(pricing.netTotal) });
+        (pricing.vatLines || []).forEach(vat => {
+            rows.push({
+                key: `vat-${vat.label}`,
+                label: `VAT ${vat.rate}% (${vat.label})`,
+                value: this.formatCurrency(vat.amount)
+            });
+        });
+        return rows;
+    }
+
+    get formattedGrandTotal() {
+        return this.formatCurrency(this.pricing ? this.pricing.grandTotal : 0);
+    }
+
+    get showOrderDiscountForm() {
+        return !this.isActivated && this.hasPricing && this.pricing.isEditable === true;
+    }
+
+    get showDiscountApproval() {
+        return this.hasPricing && this.pricing.approvalRequired === true;
+    }
 
-        return this.orderItems.reduce((sum, item) => {
-            return sum + (item.totalPrice || 0);
-        }, 0);
+    get discountApprovalText() {
+        const pricing = this.pricing;
+        if (pricing.isApproved) {
+            return `Discount of ${pricing.discountPercent}% approved by ${pricing.approvedBy || 'an approver'}`;
+        }
+        return `A discount of ${pricing.discountPercent}% needs approval (above ${pricing.approvalThreshold}%)`;
+    }
+
+    get discountApprovalClass() {
+        return this.pricing.isApproved ? 'slds-text-color_success' : 'slds-text-color_error';
+    }
+
+    get showApproveDiscount() {
+        return !this.isActivated && this.pricing.canApprove === true;
     }
 
-    get formattedTotal() {
-        return new Intl.NumberFormat('nl-NL', {
+    formatCurrency(value) {
+        return new Intl.NumberFormat(LOCALE, {
             style: 'currency',
-            currency: 'EUR'
-        }).format(this.totalOrderAmount);
+            currency: this.currencyCode
+        }).format(value);
+    }
+
+    // price increases get an explicit plus sign
+    formatDelta(value) {
+        const formatted = this.formatCurrency(value);
+        return value > 0 ? '+' + formatted : formatted;
     }
 
     get isActivateButtonDisabled() {
-        return this.isActivating || this.isActivated || !this.hasOrderItems;
+        return this.isActivating || this.isActivated || !this.hasOrderItems || !this.canActivate;
+    }
+
+    get canActivate() {
+        return !!this.checklist && this.checklist.canActivate === true;
+    }
+
+    get showChecklist() {
+        return !this.isActivated && this.hasOrderItems && (!!this.checklist || !!this.checklistError);
+    }
+
+    get checklistItems() {
+        if (!this.checklist) {
+            return [];
+        }
+        const toItem = (issue, index, iconName, variant) => ({
+            ...issue,
+            key: `${issue.severity}-${index}`,
+            iconName,
+            variant
+        });
+        return [
+            ...(this.checklist.errors || []).map((issue, index) => toItem(issue, index, 'utility:error', 'error')),
+            ...(this.checklist.warnings || []).map((issue, index) => toItem(issue, index, 'utility:warning', 'warning'))
+        ];
+    }
+
+    get hasChecklistIssues() {
+        return this.checklistItems.length > 0;
+    }
+
+    get priceChangeRows() {
+        if (!this.priceCheck || !this.priceCheck.changes) {
+            return [];
+        }
+        return this.priceCheck.changes.map(change => ({
+            ...change,
+            formattedCurrentPrice: this.formatCurrency(change.currentUnitPrice || 0),
+            formattedNewPrice: this.formatCurrency(change.newUnitPrice),
+            formattedDelta: this.formatDelta(change.lineDelta)
+        }));
+    }
+
+    get showPriceChanges() {
+        return !this.isActivated && this.priceChangeRows.length > 0;
+    }
+
+    get formattedPriceDelta() {
+        return this.formatDelta(this.priceCheck ? this.priceCheck.totalDelta : 0);
     }
 
     get activateButtonLabel() {
@@ -321,10 +964,45 @@ export default class OrderProducts extends NavigationMixin(LightningElement) {
         return 'Activate Order';
     }
 
+    get canAmend() {
+        return this.isActivated && hasAmendPermission === true;
+    }
+
+    get isAmendConfirmDisabled() {
+        return this.isAmending || !this.amendReason || !this.amendReason.trim();
+    }
+
     get activateButtonVariant() {
         return this.isActivated ? 'success' : 'brand';
     }
 
+    get hasSyncStatus() {
+        return !!this.syncStatus;
+    }
+
+    get isSyncPending() {
+        return this.hasSyncStatus && (this.syncStatus.status === 'Pending' || this.syncStatus.status === 'Retrying');
+    }
+
+    get isSyncSucceeded() {
+        return this.hasSyncStatus && this.syncStatus.status === 'Succeeded';
+    }
+
+    get isSyncFailed() {
+        return this.hasSyncStatus && this.syncStatus.status === 'Failed';
+    }
+
+    get syncPendingText() {
+        const attempts = this.syncStatus.attemptCount;
+        return this.syncStatus.status === 'Retrying'
+            ? `Sync to KPN failed on attempt ${attempts}, retrying automatically.`
+            : 'Sending order to KPN...';
+    }
+
+    get showRetrySync() {
+        return this.isSyncFailed && this.syncStatus.canRetry === true;
+    }
+
     get orderItemsCount() {
         return this.orderItems ? this.orderItems.length : 0;
     }